@@ -0,0 +1,26 @@
+-- Ledger of every Razorpay webhook event we have seen.
+-- Razorpay retries deliveries until it gets a 2xx, so the event ID is the
+-- idempotency key and the payment link ID lets us spot a link credited twice.
+create table if not exists public.razorpay_events (
+  event_id text primary key,
+  event_type text not null,
+  payment_link_id text,
+  payment_id text,
+  user_phone text,
+  status text not null default 'processing'
+    check (status in ('processing', 'processed', 'duplicate', 'ignored', 'rejected', 'failed')),
+  credits_added integer not null default 0,
+  amount numeric(12, 2),
+  outcome jsonb not null default '{}'::jsonb,
+  error text,
+  attempts integer not null default 1,
+  payload jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists razorpay_events_payment_link_idx
+  on public.razorpay_events (payment_link_id, event_type);
+
+create index if not exists razorpay_events_status_idx
+  on public.razorpay_events (status, created_at desc);
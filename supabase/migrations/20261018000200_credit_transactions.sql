@@ -0,0 +1,85 @@
+-- Append-only credit ledger. The balance of a lead is the sum of its
+-- transactions; leads.wallet is kept only as a cached copy written by
+-- apply_credit_transaction() and must not be updated directly.
+create table if not exists public.credit_transactions (
+  id bigserial primary key,
+  lead_number text not null,
+  type text not null
+    check (type in ('grant', 'purchase', 'spend', 'refund', 'adjustment')),
+  amount integer not null check (amount <> 0),
+  balance_after integer not null,
+  reason text not null,
+  reference_id text not null,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  -- the same business event can never be applied twice
+  unique (lead_number, type, reference_id)
+);
+
+create index if not exists credit_transactions_lead_idx
+  on public.credit_transactions (lead_number, created_at desc);
+
+create or replace view public.credit_balances as
+  select lead_number, coalesce(sum(amount), 0)::integer as balance
+  from public.credit_transactions
+  group by lead_number;
+
+-- Opening balances for leads that existed before the ledger
+insert into public.credit_transactions (lead_number, type, amount, balance_after, reason, reference_id)
+  select number, 'adjustment', wallet, wallet, 'Opening balance migrated from leads.wallet', 'migration:opening-balance'
+  from public.leads
+  where coalesce(wallet, 0) <> 0
+on conflict (lead_number, type, reference_id) do nothing;
+
+-- Applies one balance change atomically.
+-- status: 'applied', 'duplicate' (reference already applied) or 'insufficient'
+create or replace function public.apply_credit_transaction(
+  p_number text,
+  p_type text,
+  p_amount integer,
+  p_reason text,
+  p_reference_id text,
+  p_allow_negative boolean default false,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns table (status text, transaction_id bigint, balance integer)
+language plpgsql
+as $$
+declare
+  v_balance integer;
+  v_existing_id bigint;
+  v_new_id bigint;
+begin
+  -- Serialise every balance change for this lead on its leads row
+  perform 1 from public.leads where number = p_number for update;
+  if not found then
+    raise exception 'Lead % not found', p_number using errcode = 'P0002';
+  end if;
+
+  select coalesce(sum(t.amount), 0)::integer into v_balance
+  from public.credit_transactions t
+  where t.lead_number = p_number;
+
+  select t.id into v_existing_id
+  from public.credit_transactions t
+  where t.lead_number = p_number and t.type = p_type and t.reference_id = p_reference_id;
+
+  if v_existing_id is not null then
+    return query select 'duplicate'::text, v_existing_id, v_balance;
+    return;
+  end if;
+
+  if v_balance + p_amount < 0 and not p_allow_negative then
+    return query select 'insufficient'::text, null::bigint, v_balance;
+    return;
+  end if;
+
+  insert into public.credit_transactions (lead_number, type, amount, balance_after, reason, reference_id, metadata)
+  values (p_number, p_type, p_amount, v_balance + p_amount, p_reason, p_reference_id, coalesce(p_metadata, '{}'::jsonb))
+  returning id into v_new_id;
+
+  update public.leads set wallet = v_balance + p_amount where number = p_number;
+
+  return query select 'applied'::text, v_new_id, v_balance + p_amount;
+end;
+$$;
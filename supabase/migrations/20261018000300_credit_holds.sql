@@ -0,0 +1,132 @@
+-- Credits reserved for work that has been accepted but not delivered yet.
+-- Available credits = ledger balance - active (held, unexpired) holds.
+create table if not exists public.credit_holds (
+  id uuid primary key default gen_random_uuid(),
+  lead_number text not null,
+  amount integer not null check (amount > 0),
+  status text not null default 'held'
+    check (status in ('held', 'committed', 'released')),
+  reason text not null,
+  reference_id text not null unique,
+  expires_at timestamptz not null,
+  release_reason text,
+  transaction_id bigint references public.credit_transactions (id),
+  settled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credit_holds_active_idx
+  on public.credit_holds (lead_number, expires_at)
+  where status = 'held';
+
+create or replace function public.get_available_credits(p_number text)
+returns integer
+language sql
+stable
+as $$
+  select
+    coalesce((select sum(t.amount) from public.credit_transactions t where t.lead_number = p_number), 0)::integer
+    - coalesce((select sum(h.amount) from public.credit_holds h
+                where h.lead_number = p_number and h.status = 'held' and h.expires_at > now()), 0)::integer;
+$$;
+
+-- status: 'held', 'duplicate' (reference already has a hold) or 'insufficient'
+create or replace function public.place_credit_hold(
+  p_number text,
+  p_amount integer,
+  p_reason text,
+  p_reference_id text,
+  p_ttl_seconds integer default 900
+)
+returns table (status text, hold_id uuid, available integer)
+language plpgsql
+as $$
+declare
+  v_available integer;
+  v_existing_id uuid;
+  v_hold_id uuid;
+begin
+  -- Same lock as apply_credit_transaction, so holds and spends cannot interleave
+  perform 1 from public.leads where number = p_number for update;
+  if not found then
+    raise exception 'Lead % not found', p_number using errcode = 'P0002';
+  end if;
+
+  v_available := public.get_available_credits(p_number);
+
+  select h.id into v_existing_id from public.credit_holds h where h.reference_id = p_reference_id;
+  if v_existing_id is not null then
+    return query select 'duplicate'::text, v_existing_id, v_available;
+    return;
+  end if;
+
+  if v_available < p_amount then
+    return query select 'insufficient'::text, null::uuid, v_available;
+    return;
+  end if;
+
+  insert into public.credit_holds (lead_number, amount, reason, reference_id, expires_at)
+  values (p_number, p_amount, p_reason, p_reference_id, now() + make_interval(secs => p_ttl_seconds))
+  returning id into v_hold_id;
+
+  return query select 'held'::text, v_hold_id, v_available - p_amount;
+end;
+$$;
+
+-- Turns a hold into a spend transaction.
+-- status: 'committed', or the hold's current status if it was already settled
+create or replace function public.commit_credit_hold(p_hold_id uuid, p_reason text)
+returns table (status text, balance integer)
+language plpgsql
+as $$
+declare
+  v_hold public.credit_holds%rowtype;
+  v_tx record;
+begin
+  select * into v_hold from public.credit_holds where id = p_hold_id for update;
+  if not found then
+    raise exception 'Credit hold % not found', p_hold_id using errcode = 'P0002';
+  end if;
+
+  if v_hold.status <> 'held' then
+    return query select v_hold.status, public.get_available_credits(v_hold.lead_number);
+    return;
+  end if;
+
+  -- The work was delivered, so the spend is recorded even if the hold had expired
+  select * into v_tx from public.apply_credit_transaction(
+    v_hold.lead_number, 'spend', -v_hold.amount, p_reason, v_hold.reference_id, true,
+    jsonb_build_object('hold_id', v_hold.id)
+  );
+
+  update public.credit_holds
+    set status = 'committed', transaction_id = v_tx.transaction_id, settled_at = now()
+    where id = p_hold_id;
+
+  return query select 'committed'::text, v_tx.balance;
+end;
+$$;
+
+-- status: 'released', or the hold's current status if it was already settled
+create or replace function public.release_credit_hold(p_hold_id uuid, p_reason text)
+returns table (status text, available integer)
+language plpgsql
+as $$
+declare
+  v_hold public.credit_holds%rowtype;
+begin
+  select * into v_hold from public.credit_holds where id = p_hold_id for update;
+  if not found then
+    raise exception 'Credit hold % not found', p_hold_id using errcode = 'P0002';
+  end if;
+
+  if v_hold.status = 'held' then
+    update public.credit_holds
+      set status = 'released', release_reason = p_reason, settled_at = now()
+      where id = p_hold_id;
+    v_hold.status := 'released';
+  end if;
+
+  return query select v_hold.status, public.get_available_credits(v_hold.lead_number);
+end;
+$$;
@@ -0,0 +1,22 @@
+-- Accounts that need a human look, e.g. a refund clawed back more credits
+-- than the lead had left and the balance went negative.
+create table if not exists public.credit_review_flags (
+  id bigserial primary key,
+  lead_number text not null,
+  reason text not null,
+  reference_id text not null,
+  balance integer,
+  details jsonb not null default '{}'::jsonb,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz,
+  unique (lead_number, reference_id)
+);
+
+create index if not exists credit_review_flags_open_idx
+  on public.credit_review_flags (created_at desc)
+  where status = 'open';
+
+create index if not exists credit_transactions_payment_idx
+  on public.credit_transactions ((metadata ->> 'payment_id'))
+  where type in ('purchase', 'refund');
@@ -0,0 +1,19 @@
+-- Recharge plan catalog. When this table has active rows it takes precedence
+-- over config/plans.json.
+create table if not exists public.plans (
+  id text primary key,
+  name text not null,
+  price numeric(10, 2) not null check (price > 0),
+  credits integer not null check (credits > 0),
+  active boolean not null default true,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.plans (id, name, price, credits, active, sort_order) values
+  ('starter', 'Starter Plan', 299, 10, true, 10),
+  ('business', 'Business Plan', 599, 25, true, 20),
+  ('growth', 'Growth Plan', 1099, 50, true, 30),
+  ('agency', 'Agency Plan', 1999, 100, true, 40)
+on conflict (id) do nothing;
@@ -0,0 +1,39 @@
+-- Promo and coupon codes for the recharge flow.
+create table if not exists public.coupons (
+  code text primary key check (code = upper(code)),
+  description text,
+  discount_type text not null default 'none'
+    check (discount_type in ('none', 'percent', 'flat')),
+  discount_value numeric(10, 2) not null default 0 check (discount_value >= 0),
+  bonus_credits integer not null default 0 check (bonus_credits >= 0),
+  plan_ids text[],                            -- null = every plan
+  starts_at timestamptz,
+  expires_at timestamptz,
+  max_redemptions integer,                    -- null = unlimited
+  max_redemptions_per_user integer default 1, -- null = unlimited
+  first_purchase_only boolean not null default false,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- One row per payment link created with a coupon. 'pending' rows count
+-- towards the limits until the link is paid, expires or is cancelled.
+create table if not exists public.coupon_redemptions (
+  id bigserial primary key,
+  code text not null references public.coupons (code),
+  lead_number text not null,
+  payment_link_id text not null unique,
+  plan_id text not null,
+  discount_amount numeric(10, 2) not null default 0,
+  bonus_credits integer not null default 0,
+  status text not null default 'pending'
+    check (status in ('pending', 'redeemed', 'expired')),
+  created_at timestamptz not null default now(),
+  redeemed_at timestamptz
+);
+
+create index if not exists coupon_redemptions_code_idx
+  on public.coupon_redemptions (code, status);
+
+create index if not exists coupon_redemptions_lead_idx
+  on public.coupon_redemptions (lead_number, code);
@@ -0,0 +1,30 @@
+-- Monthly subscription plans live in the same catalog as one-off plans.
+alter table public.plans
+  add column if not exists billing text not null default 'one_time'
+    check (billing in ('one_time', 'monthly')),
+  add column if not exists razorpay_plan_id text,
+  add column if not exists credit_policy text not null default 'rollover'
+    check (credit_policy in ('rollover', 'reset'));
+
+-- One row per Razorpay subscription, kept in sync from the webhook.
+create table if not exists public.subscriptions (
+  id text primary key,                 -- Razorpay subscription ID
+  lead_number text not null,
+  plan_id text not null,
+  razorpay_plan_id text not null,
+  status text not null default 'created',
+  credit_policy text not null default 'rollover'
+    check (credit_policy in ('rollover', 'reset')),
+  credits_per_cycle integer not null,
+  short_url text,
+  charge_count integer not null default 0,
+  last_payment_id text,
+  current_start timestamptz,
+  current_end timestamptz,
+  cancel_at_cycle_end boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists subscriptions_lead_idx
+  on public.subscriptions (lead_number, created_at desc);
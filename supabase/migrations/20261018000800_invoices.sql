@@ -0,0 +1,97 @@
+-- Tax invoices for successful payments, numbered consecutively per
+-- Indian financial year (April-March) as GST rules require.
+alter table public.leads
+  add column if not exists billing_name text,
+  add column if not exists gstin text;
+
+create table if not exists public.invoice_counters (
+  financial_year text primary key,   -- e.g. '2627' for FY 2026-27
+  last_number integer not null default 0
+);
+
+create table if not exists public.invoices (
+  id bigserial primary key,
+  invoice_number text not null unique,
+  financial_year text not null,
+  lead_number text not null,
+  payment_id text not null unique,   -- one invoice per payment
+  payment_link_id text,
+  subscription_id text,
+  plan_id text,
+  description text not null,
+  credits integer not null,
+  customer_name text,
+  customer_gstin text,
+  place_of_supply text not null,
+  currency text not null default 'INR',
+  total_amount numeric(12, 2) not null,
+  taxable_amount numeric(12, 2) not null,
+  gst_rate numeric(5, 2) not null,
+  cgst_amount numeric(12, 2) not null default 0,
+  sgst_amount numeric(12, 2) not null default 0,
+  igst_amount numeric(12, 2) not null default 0,
+  storage_key text,
+  pdf_url text,
+  issued_at timestamptz not null default now()
+);
+
+create index if not exists invoices_lead_idx
+  on public.invoices (lead_number, issued_at desc);
+
+-- Allocates the next number and inserts the invoice in one transaction, so
+-- numbers have no gaps. Returns the existing invoice if the payment already has one.
+create or replace function public.create_invoice(p_invoice jsonb, p_prefix text default 'BPX')
+returns setof public.invoices
+language plpgsql
+as $$
+declare
+  v_existing public.invoices%rowtype;
+  v_local_now timestamp := now() at time zone 'Asia/Kolkata';
+  v_start_year integer;
+  v_fy text;
+  v_number integer;
+begin
+  select * into v_existing from public.invoices where payment_id = p_invoice ->> 'payment_id';
+  if found then
+    return next v_existing;
+    return;
+  end if;
+
+  v_start_year := case when extract(month from v_local_now) >= 4
+                       then extract(year from v_local_now)::integer
+                       else extract(year from v_local_now)::integer - 1 end;
+  v_fy := lpad((v_start_year % 100)::text, 2, '0') || lpad(((v_start_year + 1) % 100)::text, 2, '0');
+
+  insert into public.invoice_counters (financial_year, last_number) values (v_fy, 1)
+  on conflict (financial_year) do update set last_number = public.invoice_counters.last_number + 1
+  returning last_number into v_number;
+
+  return query
+  insert into public.invoices (
+    invoice_number, financial_year, lead_number, payment_id, payment_link_id, subscription_id,
+    plan_id, description, credits, customer_name, customer_gstin, place_of_supply, currency,
+    total_amount, taxable_amount, gst_rate, cgst_amount, sgst_amount, igst_amount
+  ) values (
+    p_prefix || '/' || v_fy || '/' || lpad(v_number::text, 5, '0'),
+    v_fy,
+    p_invoice ->> 'lead_number',
+    p_invoice ->> 'payment_id',
+    p_invoice ->> 'payment_link_id',
+    p_invoice ->> 'subscription_id',
+    p_invoice ->> 'plan_id',
+    p_invoice ->> 'description',
+    (p_invoice ->> 'credits')::integer,
+    p_invoice ->> 'customer_name',
+    p_invoice ->> 'customer_gstin',
+    p_invoice ->> 'place_of_supply',
+    coalesce(p_invoice ->> 'currency', 'INR'),
+    (p_invoice ->> 'total_amount')::numeric,
+    (p_invoice ->> 'taxable_amount')::numeric,
+    (p_invoice ->> 'gst_rate')::numeric,
+    coalesce((p_invoice ->> 'cgst_amount')::numeric, 0),
+    coalesce((p_invoice ->> 'sgst_amount')::numeric, 0),
+    coalesce((p_invoice ->> 'igst_amount')::numeric, 0)
+  )
+  returning *;
+end;
+$$;
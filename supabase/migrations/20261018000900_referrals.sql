@@ -0,0 +1,24 @@
+-- Referral program: every lead gets a shareable code; a new lead that arrives
+-- with someone else's code is attributed to them, and both are rewarded after
+-- the referee's first paid recharge.
+alter table public.leads
+  add column if not exists referral_code text unique,
+  add column if not exists referred_by text;
+
+create table if not exists public.referrals (
+  id bigserial primary key,
+  referrer_number text not null,
+  referee_number text not null unique,   -- a lead can only ever be referred once
+  code text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'rewarded', 'rejected')),
+  reject_reason text,
+  referrer_credits integer not null default 0,
+  referee_credits integer not null default 0,
+  qualifying_reference text,
+  created_at timestamptz not null default now(),
+  rewarded_at timestamptz
+);
+
+create index if not exists referrals_referrer_idx
+  on public.referrals (referrer_number, status, created_at desc);
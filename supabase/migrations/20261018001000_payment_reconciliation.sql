@@ -0,0 +1,34 @@
+-- Every payment link we create, so missed webhooks can be found later.
+create table if not exists public.payment_links (
+  id text primary key,                 -- Razorpay payment link ID
+  lead_number text not null,
+  plan_id text not null,
+  amount numeric(12, 2) not null,
+  credits integer not null,
+  bonus_credits integer not null default 0,
+  coupon_code text,
+  short_url text,
+  status text not null default 'created'
+    check (status in ('created', 'paid', 'expired', 'cancelled')),
+  last_checked_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists payment_links_open_idx
+  on public.payment_links (created_at desc)
+  where status = 'created';
+
+-- One row per reconciliation run, with anything that did not match.
+create table if not exists public.reconciliation_runs (
+  id bigserial primary key,
+  trigger text not null,               -- 'schedule' or 'manual'
+  status text not null default 'running'
+    check (status in ('running', 'completed', 'failed')),
+  links_checked integer not null default 0,
+  links_credited integer not null default 0,
+  mismatches jsonb not null default '[]'::jsonb,
+  error text,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz
+);
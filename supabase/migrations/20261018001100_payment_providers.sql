@@ -0,0 +1,12 @@
+-- Payment events and links are no longer Razorpay-only: the app talks to a
+-- configurable payment provider (Razorpay or the offline mock provider).
+alter table if exists public.razorpay_events rename to payment_events;
+
+alter index if exists public.razorpay_events_payment_link_idx rename to payment_events_payment_link_idx;
+alter index if exists public.razorpay_events_status_idx rename to payment_events_status_idx;
+
+alter table public.payment_events
+  add column if not exists provider text not null default 'razorpay';
+
+alter table public.payment_links
+  add column if not exists provider text not null default 'razorpay';
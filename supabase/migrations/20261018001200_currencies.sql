@@ -0,0 +1,17 @@
+-- Country-aware pricing: payment links, payment events and coupon redemptions
+-- record the currency they were charged in. Existing rows are all INR.
+-- The credit ledger keeps currency next to amount_paid / refund_amount in metadata.
+alter table public.payment_links
+  add column if not exists currency text not null default 'INR';
+
+alter table public.payment_events
+  add column if not exists currency text;
+
+update public.payment_events set currency = 'INR' where amount is not null and currency is null;
+
+alter table public.coupon_redemptions
+  add column if not exists currency text not null default 'INR';
+
+-- A flat discount is an amount in this currency; percent coupons work in any currency.
+alter table public.coupons
+  add column if not exists currency text not null default 'INR';
@@ -0,0 +1,67 @@
+-- Durable queue for image generation. A job survives restarts: workers claim
+-- jobs with a lease, and a job whose lease runs out (the worker died) is
+-- claimed again by the next poll.
+create table if not exists public.generation_jobs (
+  id uuid primary key,                 -- also the credit hold reference
+  lead_number text not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'succeeded', 'failed')),
+  product_category text not null,
+  scene_description text,
+  price_overlay text,
+  input_image_key text not null,       -- product image in Supabase storage
+  hold_id uuid references public.credit_holds (id),
+  attempts integer not null default 0,
+  max_attempts integer not null default 3,
+  run_after timestamptz not null default now(),
+  locked_by text,
+  lease_expires_at timestamptz,
+  result_url text,
+  error text,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists generation_jobs_ready_idx
+  on public.generation_jobs (run_after)
+  where status = 'queued';
+
+create index if not exists generation_jobs_lease_idx
+  on public.generation_jobs (lease_expires_at)
+  where status = 'running';
+
+create index if not exists generation_jobs_lead_idx
+  on public.generation_jobs (lead_number, created_at desc);
+
+-- Claims up to p_limit ready jobs for one worker. SKIP LOCKED lets several
+-- instances poll at once without handing the same job to two of them.
+create or replace function public.claim_generation_jobs(
+  p_worker_id text,
+  p_limit integer,
+  p_lease_seconds integer
+)
+returns setof public.generation_jobs
+language plpgsql
+as $$
+begin
+  return query
+  update public.generation_jobs j
+    set status = 'running',
+        attempts = j.attempts + 1,
+        locked_by = p_worker_id,
+        lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+        started_at = coalesce(j.started_at, now()),
+        updated_at = now()
+    where j.id in (
+      select c.id from public.generation_jobs c
+      where (c.status = 'queued' and c.run_after <= now())
+         or (c.status = 'running' and c.lease_expires_at < now())
+      order by c.created_at
+      limit p_limit
+      for update skip locked
+    )
+    returning j.*;
+end;
+$$;
@@ -0,0 +1,58 @@
+-- A generation job can produce up to 4 variations. The hold covers all of
+-- them and is committed for the images actually delivered.
+alter table public.generation_jobs
+  add column if not exists variation_count integer not null default 1
+    check (variation_count between 1 and 4),
+  add column if not exists result_urls text[] not null default '{}',
+  add column if not exists favorite_index integer,  -- 1-based, picked from the WhatsApp list
+  add column if not exists favorite_at timestamptz;
+
+create index if not exists generation_jobs_favorite_idx
+  on public.generation_jobs (lead_number, favorite_at desc)
+  where favorite_index is not null;
+
+-- p_amount commits part of the hold (e.g. 2 of 3 variations delivered); the
+-- rest stops being reserved because the hold is no longer 'held'.
+drop function if exists public.commit_credit_hold(uuid, text);
+
+create or replace function public.commit_credit_hold(p_hold_id uuid, p_reason text, p_amount integer default null)
+returns table (status text, balance integer)
+language plpgsql
+as $$
+declare
+  v_hold public.credit_holds%rowtype;
+  v_amount integer;
+  v_tx record;
+begin
+  select * into v_hold from public.credit_holds where id = p_hold_id for update;
+  if not found then
+    raise exception 'Credit hold % not found', p_hold_id using errcode = 'P0002';
+  end if;
+
+  if v_hold.status <> 'held' then
+    return query select v_hold.status, public.get_available_credits(v_hold.lead_number);
+    return;
+  end if;
+
+  v_amount := coalesce(p_amount, v_hold.amount);
+  if v_amount < 1 or v_amount > v_hold.amount then
+    raise exception 'Cannot commit % credits of a % credit hold', v_amount, v_hold.amount using errcode = '22023';
+  end if;
+
+  -- The work was delivered, so the spend is recorded even if the hold had expired
+  select * into v_tx from public.apply_credit_transaction(
+    v_hold.lead_number, 'spend', -v_amount, p_reason, v_hold.reference_id, true,
+    jsonb_build_object('hold_id', v_hold.id, 'held_amount', v_hold.amount)
+  );
+
+  update public.credit_holds
+    set status = 'committed',
+        transaction_id = v_tx.transaction_id,
+        release_reason = case when v_amount < v_hold.amount
+          then format('%s of %s held credits not used', v_hold.amount - v_amount, v_hold.amount) end,
+        settled_at = now()
+    where id = p_hold_id;
+
+  return query select 'committed'::text, v_tx.balance;
+end;
+$$;
@@ -0,0 +1,4 @@
+-- Output format chosen in the Flow (instagram_post, story, marketplace, banner).
+-- Unknown values fall back to instagram_post in the app, so no check constraint.
+alter table public.generation_jobs
+  add column if not exists output_preset text not null default 'instagram_post';
@@ -0,0 +1,65 @@
+-- Every prompt template that has been used, keyed by the hash of its text, so a
+-- job can always be traced back to the exact template that produced it even
+-- after the file in config/prompts has been edited.
+create table if not exists public.prompt_versions (
+  id text primary key,                 -- first 16 hex chars of sha256(template_text)
+  template_file text not null,
+  template_text text not null,
+  created_at timestamptz not null default now()
+);
+
+-- The rendered prompt is kept on the job as well, since it includes the user's
+-- scene and overlay text.
+alter table public.generation_jobs
+  add column if not exists prompt_category text,
+  add column if not exists prompt_variant text,
+  add column if not exists prompt_version_id text references public.prompt_versions (id),
+  add column if not exists prompt_text text,
+  add column if not exists feedback text check (feedback in ('up', 'down')),
+  add column if not exists feedback_at timestamptz,
+  add column if not exists regenerated_at timestamptz,  -- same lead asked again in this category soon after
+  add column if not exists regenerated_by uuid;
+
+create index if not exists generation_jobs_prompt_idx
+  on public.generation_jobs (prompt_category, prompt_variant, created_at)
+  where prompt_version_id is not null;
+
+create index if not exists generation_jobs_regeneration_idx
+  on public.generation_jobs (lead_number, prompt_category, finished_at desc)
+  where status = 'succeeded' and regenerated_at is null;
+
+create or replace function public.get_prompt_variant_stats(p_since timestamptz)
+returns table (
+  prompt_category text,
+  prompt_variant text,
+  prompt_version_id text,
+  generations integer,
+  succeeded integer,
+  failed integer,
+  feedback_up integer,
+  feedback_down integer,
+  regenerated integer,
+  first_used_at timestamptz,
+  last_used_at timestamptz
+)
+language sql
+stable
+as $$
+  select
+    j.prompt_category,
+    j.prompt_variant,
+    j.prompt_version_id,
+    count(*)::integer,
+    count(*) filter (where j.status = 'succeeded')::integer,
+    count(*) filter (where j.status = 'failed')::integer,
+    count(*) filter (where j.feedback = 'up')::integer,
+    count(*) filter (where j.feedback = 'down')::integer,
+    count(*) filter (where j.status = 'succeeded' and j.regenerated_at is not null)::integer,
+    min(j.created_at),
+    max(j.created_at)
+  from public.generation_jobs j
+  where j.prompt_version_id is not null
+    and j.created_at >= p_since
+  group by j.prompt_category, j.prompt_variant, j.prompt_version_id
+  order by j.prompt_category, j.prompt_variant, min(j.created_at);
+$$;
@@ -0,0 +1,8 @@
+-- Category of the last failure (rate_limited, unavailable, content_blocked, ...)
+-- so failed jobs can be grouped without parsing error messages.
+alter table public.generation_jobs
+  add column if not exists error_category text;
+
+create index if not exists generation_jobs_error_category_idx
+  on public.generation_jobs (error_category, finished_at desc)
+  where status = 'failed';
@@ -0,0 +1,52 @@
+-- Safety-blocked generations get their own status instead of 'failed', with
+-- what the model flagged. Their credit hold is released like a failed job's.
+alter table public.generation_jobs
+  drop constraint if exists generation_jobs_status_check;
+
+alter table public.generation_jobs
+  add constraint generation_jobs_status_check
+    check (status in ('queued', 'running', 'succeeded', 'failed', 'blocked'));
+
+alter table public.generation_jobs
+  add column if not exists safety_details jsonb;  -- { stage, reason, categories, modelText }
+
+-- Adds the blocked count per prompt variant; the return type changes, so drop first
+drop function if exists public.get_prompt_variant_stats(timestamptz);
+
+create or replace function public.get_prompt_variant_stats(p_since timestamptz)
+returns table (
+  prompt_category text,
+  prompt_variant text,
+  prompt_version_id text,
+  generations integer,
+  succeeded integer,
+  failed integer,
+  blocked integer,
+  feedback_up integer,
+  feedback_down integer,
+  regenerated integer,
+  first_used_at timestamptz,
+  last_used_at timestamptz
+)
+language sql
+stable
+as $$
+  select
+    j.prompt_category,
+    j.prompt_variant,
+    j.prompt_version_id,
+    count(*)::integer,
+    count(*) filter (where j.status = 'succeeded')::integer,
+    count(*) filter (where j.status = 'failed')::integer,
+    count(*) filter (where j.status = 'blocked')::integer,
+    count(*) filter (where j.feedback = 'up')::integer,
+    count(*) filter (where j.feedback = 'down')::integer,
+    count(*) filter (where j.status = 'succeeded' and j.regenerated_at is not null)::integer,
+    min(j.created_at),
+    max(j.created_at)
+  from public.generation_jobs j
+  where j.prompt_version_id is not null
+    and j.created_at >= p_since
+  group by j.prompt_category, j.prompt_variant, j.prompt_version_id
+  order by j.prompt_category, j.prompt_variant, min(j.created_at);
+$$;
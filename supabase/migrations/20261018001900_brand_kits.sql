@@ -0,0 +1,15 @@
+-- A lead's brand kit, applied to every generation unless the request turns it
+-- off. The logo is a PNG in storage; brand_font is a key of BRAND_FONTS.
+alter table public.leads
+  add column if not exists brand_shop_name text,
+  add column if not exists brand_contact_line text,
+  add column if not exists brand_primary_color text
+    check (brand_primary_color ~ '^#[0-9A-F]{6}$'),
+  add column if not exists brand_secondary_color text
+    check (brand_secondary_color ~ '^#[0-9A-F]{6}$'),
+  add column if not exists brand_font text,
+  add column if not exists brand_logo_key text,
+  add column if not exists brand_kit_updated_at timestamptz;
+
+alter table public.generation_jobs
+  add column if not exists use_brand_kit boolean not null default true;
@@ -0,0 +1,4 @@
+-- All product photos of a request, in upload order; the first is also in
+-- input_image_key. Older jobs have only input_image_key.
+alter table public.generation_jobs
+  add column if not exists input_image_keys text[] not null default '{}';
@@ -0,0 +1,34 @@
+-- Workers renew the lease of jobs they are running, and pass those job ids
+-- here so a poll never claims a job the same worker is still running.
+drop function if exists public.claim_generation_jobs(text, integer, integer);
+
+create or replace function public.claim_generation_jobs(
+  p_worker_id text,
+  p_limit integer,
+  p_lease_seconds integer,
+  p_exclude_ids uuid[] default '{}'
+)
+returns setof public.generation_jobs
+language plpgsql
+as $$
+begin
+  return query
+  update public.generation_jobs j
+    set status = 'running',
+        attempts = j.attempts + 1,
+        locked_by = p_worker_id,
+        lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+        started_at = coalesce(j.started_at, now()),
+        updated_at = now()
+    where j.id in (
+      select c.id from public.generation_jobs c
+      where ((c.status = 'queued' and c.run_after <= now())
+          or (c.status = 'running' and c.lease_expires_at < now()))
+        and c.id <> all (p_exclude_ids)
+      order by c.created_at
+      limit p_limit
+      for update skip locked
+    )
+    returning j.*;
+end;
+$$;
@@ -0,0 +1,143 @@
+-- "reset" subscriptions take back only what is left of the last cycle's grant,
+-- never credits from one-off purchases, coupons, referrals or the welcome grant.
+-- cycle_credits_remaining is set at each renewal and spends draw it down first.
+alter table public.subscriptions
+  add column if not exists cycle_credits_remaining integer not null default 0
+    check (cycle_credits_remaining >= 0);
+
+-- Backfill from the ledger: last grant of each subscription minus the spends since
+with last_grants as (
+  select distinct on (t.metadata->>'subscription_id')
+    t.metadata->>'subscription_id' as subscription_id, t.lead_number, t.amount, t.created_at
+  from public.credit_transactions t
+  where t.type = 'purchase' and t.metadata ? 'subscription_id'
+  order by t.metadata->>'subscription_id', t.created_at desc
+)
+update public.subscriptions s
+  set cycle_credits_remaining = greatest(0, g.amount + coalesce((
+    select sum(t.amount) from public.credit_transactions t
+    where t.lead_number = g.lead_number and t.type = 'spend' and t.created_at > g.created_at
+  ), 0))
+  from last_grants g
+  where g.subscription_id = s.id;
+
+-- Same as before, plus spends draw down the lead's subscription cycle credits
+create or replace function public.apply_credit_transaction(
+  p_number text,
+  p_type text,
+  p_amount integer,
+  p_reason text,
+  p_reference_id text,
+  p_allow_negative boolean default false,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns table (status text, transaction_id bigint, balance integer)
+language plpgsql
+as $$
+declare
+  v_balance integer;
+  v_existing_id bigint;
+  v_new_id bigint;
+begin
+  -- Serialise every balance change for this lead on its leads row
+  perform 1 from public.leads where number = p_number for update;
+  if not found then
+    raise exception 'Lead % not found', p_number using errcode = 'P0002';
+  end if;
+
+  select coalesce(sum(t.amount), 0)::integer into v_balance
+  from public.credit_transactions t
+  where t.lead_number = p_number;
+
+  select t.id into v_existing_id
+  from public.credit_transactions t
+  where t.lead_number = p_number and t.type = p_type and t.reference_id = p_reference_id;
+
+  if v_existing_id is not null then
+    return query select 'duplicate'::text, v_existing_id, v_balance;
+    return;
+  end if;
+
+  if v_balance + p_amount < 0 and not p_allow_negative then
+    return query select 'insufficient'::text, null::bigint, v_balance;
+    return;
+  end if;
+
+  insert into public.credit_transactions (lead_number, type, amount, balance_after, reason, reference_id, metadata)
+  values (p_number, p_type, p_amount, v_balance + p_amount, p_reason, p_reference_id, coalesce(p_metadata, '{}'::jsonb))
+  returning id into v_new_id;
+
+  update public.leads set wallet = v_balance + p_amount where number = p_number;
+
+  if p_type = 'spend' and p_amount < 0 then
+    update public.subscriptions
+      set cycle_credits_remaining = greatest(0, cycle_credits_remaining + p_amount)
+      where lead_number = p_number and cycle_credits_remaining > 0;
+  end if;
+
+  return query select 'applied'::text, v_new_id, v_balance + p_amount;
+end;
+$$;
+
+-- Applies a renewal in one transaction: on "reset" plans the unspent part of
+-- the previous cycle is taken back, then the new cycle's credits are granted.
+-- status: 'applied' or 'duplicate' (this payment was already credited)
+create or replace function public.renew_subscription_credits(
+  p_subscription_id text,
+  p_number text,
+  p_payment_id text,
+  p_credits integer,
+  p_credit_policy text,
+  p_reason text,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns table (status text, balance integer, credits_reset integer)
+language plpgsql
+as $$
+declare
+  v_remaining integer := 0;
+  v_balance integer;
+  v_reset integer := 0;
+  v_tx record;
+begin
+  perform 1 from public.leads where number = p_number for update;
+  if not found then
+    raise exception 'Lead % not found', p_number using errcode = 'P0002';
+  end if;
+
+  select coalesce(sum(t.amount), 0)::integer into v_balance
+  from public.credit_transactions t where t.lead_number = p_number;
+
+  if exists (
+    select 1 from public.credit_transactions t
+    where t.lead_number = p_number and t.type = 'purchase' and t.reference_id = p_payment_id
+  ) then
+    return query select 'duplicate'::text, v_balance, 0;
+    return;
+  end if;
+
+  select s.cycle_credits_remaining into v_remaining
+  from public.subscriptions s where s.id = p_subscription_id for update;
+
+  if p_credit_policy = 'reset' and coalesce(v_remaining, 0) > 0 then
+    v_reset := greatest(0, least(v_balance, v_remaining));
+    if v_reset > 0 then
+      perform public.apply_credit_transaction(
+        p_number, 'adjustment', -v_reset, 'Unused subscription credits reset at renewal',
+        p_payment_id || ':reset', false,
+        jsonb_build_object('subscription_id', p_subscription_id, 'cycle_credits_remaining', v_remaining)
+      );
+    end if;
+  end if;
+
+  select * into v_tx from public.apply_credit_transaction(
+    p_number, 'purchase', p_credits, p_reason, p_payment_id, false, p_metadata
+  );
+
+  update public.subscriptions
+    set cycle_credits_remaining = p_credits, updated_at = now()
+    where id = p_subscription_id;
+
+  return query select 'applied'::text, v_tx.balance, v_reset;
+end;
+$$;
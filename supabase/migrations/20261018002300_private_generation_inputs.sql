@@ -0,0 +1,15 @@
+-- Customer product photos are kept in a private bucket only while their job
+-- can still run, and deleted once it succeeds, fails or is blocked. Jobs
+-- queued earlier have input_bucket null: their photos are in the public
+-- bucket and are removed by the same cleanup.
+insert into storage.buckets (id, name, public)
+  values ('generation-inputs', 'generation-inputs', false)
+  on conflict (id) do update set public = false;
+
+alter table public.generation_jobs
+  add column if not exists input_bucket text,
+  add column if not exists inputs_deleted_at timestamptz;
+
+create index if not exists generation_jobs_inputs_pending_idx
+  on public.generation_jobs (finished_at)
+  where inputs_deleted_at is null and status in ('succeeded', 'failed', 'blocked');
@@ -0,0 +1,60 @@
+-- Coupon limits are enforced by reserving a redemption before the payment
+-- link is created: the coupon row is locked, the slots counted and the
+-- pending row inserted in one transaction, so parallel recharges cannot all
+-- pass the check. The link id is attached once the link exists.
+alter table public.coupon_redemptions
+  alter column payment_link_id drop not null,
+  add column if not exists reservation_id uuid unique;
+
+-- status: 'reserved', 'inactive', 'exhausted' (max_redemptions reached) or
+-- 'user_limit' (max_redemptions_per_user reached)
+create or replace function public.reserve_coupon_redemption(
+  p_code text,
+  p_number text,
+  p_reservation_id uuid,
+  p_plan_id text,
+  p_discount_amount numeric,
+  p_currency text,
+  p_bonus_credits integer,
+  p_pending_minutes integer
+)
+returns table (status text)
+language plpgsql
+as $$
+declare
+  v_coupon public.coupons%rowtype;
+  v_pending_since timestamptz := now() - make_interval(mins => p_pending_minutes);
+  v_used integer;
+begin
+  select * into v_coupon from public.coupons where code = p_code for update;
+  if not found or not v_coupon.active then
+    return query select 'inactive'::text;
+    return;
+  end if;
+
+  if v_coupon.max_redemptions is not null then
+    select count(*) into v_used from public.coupon_redemptions r
+    where r.code = p_code
+      and (r.status = 'redeemed' or (r.status = 'pending' and r.created_at >= v_pending_since));
+    if v_used >= v_coupon.max_redemptions then
+      return query select 'exhausted'::text;
+      return;
+    end if;
+  end if;
+
+  if v_coupon.max_redemptions_per_user is not null then
+    select count(*) into v_used from public.coupon_redemptions r
+    where r.code = p_code and r.lead_number = p_number
+      and (r.status = 'redeemed' or (r.status = 'pending' and r.created_at >= v_pending_since));
+    if v_used >= v_coupon.max_redemptions_per_user then
+      return query select 'user_limit'::text;
+      return;
+    end if;
+  end if;
+
+  insert into public.coupon_redemptions (code, lead_number, reservation_id, plan_id, discount_amount, currency, bonus_credits, status)
+  values (p_code, p_number, p_reservation_id, p_plan_id, p_discount_amount, p_currency, p_bonus_credits, 'pending');
+
+  return query select 'reserved'::text;
+end;
+$$;
@@ -0,0 +1,27 @@
+-- A new lead and its welcome credits are written in one transaction, so a
+-- lead can never exist without the grant (the lead row alone made later
+-- messages treat it as a returning lead with no credits).
+create or replace function public.create_lead(
+  p_number text,
+  p_name text,
+  p_welcome_credits integer,
+  p_reason text
+)
+returns table (lead jsonb, balance integer)
+language plpgsql
+as $$
+declare
+  v_lead public.leads%rowtype;
+  v_tx record;
+begin
+  insert into public.leads (name, number, wallet)
+  values (p_name, p_number, 0)
+  returning * into v_lead;
+
+  select * into v_tx from public.apply_credit_transaction(
+    p_number, 'grant', p_welcome_credits, p_reason, 'welcome'
+  );
+
+  return query select to_jsonb(v_lead), v_tx.balance;
+end;
+$$;